@@ -0,0 +1,78 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+let api;
+before(async () => { api = await startApp(); });
+after(() => api.close());
+
+test('stream rejects a non-string query with 400 and keeps serving', async () => {
+    const res = await api.request('POST', '/api/advise/stream', { body: { query: 123 } });
+    assert.equal(res.status, 400);
+    assert.equal(res.json.success, false);
+
+    const health = await api.request('GET', '/health');
+    assert.equal(health.status, 200);
+});
+
+test('stream rejects a non-string userId', async () => {
+    const res = await api.request('POST', '/api/advise/stream', { body: { query: 'best phone', userId: { $ne: null } } });
+    assert.equal(res.status, 400);
+});
+
+test('advise rejects a non-string query with 400', async () => {
+    const res = await api.request('POST', '/api/advise', { body: { query: ['phone'] } });
+    assert.equal(res.status, 400);
+    assert.equal(res.json.message, 'Query is required');
+});
+
+test('stream sends products, tokens and done events', async () => {
+    const res = await api.request('POST', '/api/advise/stream', { body: { query: 'best phone under 150000' } });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/event-stream/);
+    for (const event of ['products', 'token', 'metadata', 'done']) {
+        assert.match(res.text, new RegExp(`event: ${event}\\n`));
+    }
+});
+
+// "event: name\ndata: {...}" blocks → [{ event, data }]
+const parseEvents = text => text.trim().split('\n\n').map(block => {
+    const [, event] = block.match(/^event: (.+)$/m);
+    const [, data] = block.match(/^data: (.+)$/m);
+    return { event, data: JSON.parse(data) };
+});
+
+test('stream rejects an unsupported language before the event stream starts', async () => {
+    const res = await api.request('POST', '/api/advise/stream', { body: { query: 'best phone', language: 'klingon' } });
+    assert.equal(res.status, 400);
+    assert.match(res.json.message, /language must be one of/);
+});
+
+test('stream answers "X vs Y" with the comparison, like /api/advise', async () => {
+    const res = await api.request('POST', '/api/advise/stream', { body: { query: 'iPhone 15 Pro vs Galaxy S24 Ultra' } });
+    const events = parseEvents(res.text);
+    const products = events.find(e => e.event === 'products').data;
+    assert.ok(products.comparison);
+    assert.equal(products.products.length, 2);
+
+    const text = events.filter(e => e.event === 'token').map(e => e.data.text).join('');
+    assert.ok(text.length > 0);
+    assert.equal(events.at(-1).event, 'done');
+});
+
+test('a session only continues for the user who started it', async () => {
+    const first = await api.request('POST', '/api/advise', { body: { query: 'best laptop under 100000', userId: 'alice' } });
+    const { sessionId } = first.json;
+
+    const other = await api.request('POST', '/api/advise', { body: { query: 'and a cheaper one?', userId: 'mallory', sessionId } });
+    assert.notEqual(other.json.sessionId, sessionId);
+    assert.equal(other.json.metadata.newSession, true);
+
+    assert.equal((await api.request('GET', `/api/sessions/${sessionId}?userId=mallory`)).status, 404);
+    assert.equal((await api.request('GET', `/api/sessions/${sessionId}`)).status, 404);
+    assert.equal((await api.request('DELETE', `/api/sessions/${sessionId}?userId=mallory`)).status, 404);
+
+    const own = await api.request('GET', `/api/sessions/${sessionId}?userId=alice`);
+    assert.equal(own.status, 200);
+    assert.equal((await api.request('DELETE', `/api/sessions/${sessionId}?userId=alice`)).status, 200);
+});
@@ -0,0 +1,64 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, ADMIN_KEY } from './helpers.js';
+
+let api;
+let shop;
+let other;
+let productId;
+const admin = { Authorization: `Bearer ${ADMIN_KEY}` };
+
+before(async () => {
+    api = await startApp();
+    shop = await api.createClient('shop');
+    other = await api.createClient('other');
+    const advice = await api.request('POST', '/api/advise', { body: { query: 'best phone' } });
+    productId = advice.json.products[0].id;
+});
+after(() => api.close());
+
+test('alert routes need an API key', async () => {
+    const created = await api.request('POST', '/api/alerts', { body: { productId, targetPrice: 1000, userId: 'alice' } });
+    assert.equal(created.status, 401);
+    assert.equal((await api.request('GET', '/api/alerts?userId=alice')).status, 401);
+    assert.equal((await api.request('GET', '/api/alerts/notifications?userId=alice')).status, 401);
+    assert.equal((await api.request('DELETE', '/api/alerts/some-id?userId=alice')).status, 401);
+});
+
+test('alerts are only listed and deleted by the client that created them', async () => {
+    const created = await api.request('POST', '/api/alerts', {
+        body: { productId, targetPrice: 1, userId: 'alice', contact: 'alice@example.com' },
+        headers: shop
+    });
+    assert.equal(created.status, 201);
+    const id = created.json.alert._id;
+
+    const mine = await api.request('GET', '/api/alerts?userId=alice', { headers: shop });
+    assert.equal(mine.json.alerts.length, 1);
+    assert.equal(mine.json.alerts[0].contact, undefined);
+    assert.equal(mine.json.alerts[0].clientId, undefined);
+
+    const theirs = await api.request('GET', '/api/alerts?userId=alice', { headers: other });
+    assert.deepEqual(theirs.json.alerts, []);
+    assert.equal((await api.request('DELETE', `/api/alerts/${id}?userId=alice`, { headers: other })).status, 404);
+
+    const everyone = await api.request('GET', '/api/alerts?userId=alice', { headers: admin });
+    assert.equal(everyone.json.alerts.length, 1);
+
+    assert.equal((await api.request('DELETE', `/api/alerts/${id}?userId=alice`, { headers: shop })).status, 200);
+});
+
+test('notifications leave out the contact and stay with the owning client', async () => {
+    const created = await api.request('POST', '/api/alerts', {
+        body: { productId, targetPrice: 10000000, userId: 'bob', contact: '+910000000000' },
+        headers: shop
+    });
+    assert.equal(created.json.alert.status, 'triggered');
+
+    const mine = await api.request('GET', '/api/alerts/notifications?userId=bob', { headers: shop });
+    assert.equal(mine.json.notifications.length, 1);
+    assert.equal(mine.json.notifications[0].contact, undefined);
+
+    const theirs = await api.request('GET', '/api/alerts/notifications?userId=bob', { headers: other });
+    assert.deepEqual(theirs.json.notifications, []);
+});
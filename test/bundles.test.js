@@ -0,0 +1,39 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+let api;
+let parseBundleQuery;
+before(async () => {
+    api = await startApp();
+    ({ parseBundleQuery } = await import('../index.js'));
+});
+after(() => api.close());
+
+const slotsOf = plan => plan.slots.map(slot => slot.category);
+
+test('two categories in an ordinary search are not a bundle', () => {
+    assert.equal(parseBundleQuery('best phone with good camera under 20000'), null);
+    assert.equal(parseBundleQuery('laptop or tablet under 50000'), null);
+});
+
+test('"+" and "and" lists, setup words and explicit categories make a custom bundle', () => {
+    assert.deepEqual(slotsOf(parseBundleQuery('laptop + monitor + headphones under 1 lakh')).sort(), ['Headphones', 'Laptops', 'Monitors']);
+    assert.equal(parseBundleQuery('phone and earbuds under 30000').name, 'custom');
+    assert.equal(parseBundleQuery('combo of laptop with monitor under 80000').name, 'custom');
+    assert.equal(parseBundleQuery('', { budget: 50000, categories: ['Laptops', 'Monitors'] }).name, 'custom');
+});
+
+test('named setups still need a setup word', () => {
+    assert.equal(parseBundleQuery('work from home setup under ₹80,000').name, 'workFromHome');
+    assert.equal(parseBundleQuery('gaming laptop under 1 lakh'), null);
+});
+
+test('bundle answers are logged for feedback', async () => {
+    const res = await api.request('POST', '/api/bundles', { body: { budget: 500000, categories: ['Laptops', 'Smartphones'] } });
+    assert.equal(res.status, 200);
+    assert.ok(res.json.responseId);
+
+    const feedback = await api.request('POST', '/api/feedback', { body: { responseId: res.json.responseId, rating: 'up' } });
+    assert.equal(feedback.status, 200, feedback.text);
+});
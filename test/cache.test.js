@@ -0,0 +1,32 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { startApp } from './helpers.js';
+
+let api;
+before(async () => {
+    // Streams go quiet after three words; plain generation answers in full
+    const file = join(mkdtempSync(join(tmpdir(), 'plexbuy-')), 'llm.json');
+    writeFileSync(file, JSON.stringify({
+        mock: { reply: 'Samsung Galaxy S24 Ultra is the pick for most shoppers.', stallAfter: 3, timeoutMs: 100 }
+    }));
+    api = await startApp({ LLM_CONFIG: file });
+});
+after(() => api.close());
+
+test('a stream cut off mid-answer is not cached for later shoppers', async () => {
+    const query = 'best phone under 150000';
+    const streamed = await api.request('POST', '/api/advise/stream', { body: { query } });
+    assert.equal(streamed.status, 200);
+    assert.match(streamed.text, /event: done\n/);
+
+    const res = await api.request('POST', '/api/advise', { body: { query } });
+    assert.equal(res.status, 200);
+    assert.equal(res.json.metadata.cache.hit, false);
+    assert.match(res.json.text ?? res.json.advice, /most shoppers/);
+
+    const again = await api.request('POST', '/api/advise', { body: { query } });
+    assert.equal(again.json.metadata.cache.hit, true);
+});
@@ -0,0 +1,108 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { MongoBulkWriteError, ObjectId } from 'mongodb';
+import { startApp } from './helpers.js';
+
+let api;
+let ProductCatalog;
+before(async () => {
+    api = await startApp();
+    ({ ProductCatalog } = await import('../index.js'));
+});
+after(() => api.close());
+
+// Just enough of a Mongo collection for single-document updates: filters are
+// { _id } or { _id: { $ne }, $or: [{ field: value }] }
+function fakeCollection(docs) {
+    const matches = (doc, filter) => filter._id?.$ne
+        ? String(doc._id) !== String(filter._id.$ne) && filter.$or.some(clause => Object.entries(clause).every(([k, v]) => doc[k] === v))
+        : String(doc._id) === String(filter._id);
+    const find = filter => docs.find(doc => matches(doc, filter)) || null;
+    return {
+        findOne: async filter => find(filter),
+        findOneAndUpdate: async (filter, { $set }) => Object.assign(find(filter), $set)
+    };
+}
+
+const offerProduct = () => ({
+    _id: new ObjectId(),
+    name: 'Phone',
+    asin: 'B0TESTASIN',
+    price: 50000,
+    originalPrice: 60000,
+    platform: 'amazon',
+    offers: [
+        { platform: 'amazon', asin: 'B0TESTASIN', price: 50000, originalPrice: 60000, inStock: true },
+        { platform: 'flipkart', flipkartId: 'MOBTEST', price: 52000, originalPrice: 60000, inStock: true }
+    ]
+});
+
+test('a price update on a product with offers changes the matching offer', async () => {
+    const product = offerProduct();
+    const catalog = new ProductCatalog(() => fakeCollection([product]));
+
+    const result = await catalog.update(String(product._id), { price: 55000 });
+    assert.equal(result.errors, undefined);
+    assert.equal(result.product.offers[0].price, 55000);
+    // Flipkart is now cheaper, so it becomes the headline offer
+    assert.equal(result.product.price, 52000);
+    assert.equal(result.product.platform, 'flipkart');
+});
+
+test('a price update can name the offer by platform', async () => {
+    const product = offerProduct();
+    const catalog = new ProductCatalog(() => fakeCollection([product]));
+
+    const result = await catalog.update(String(product._id), { price: 45000, platform: 'flipkart' });
+    assert.equal(result.product.offers[1].price, 45000);
+    assert.equal(result.product.price, 45000);
+    assert.equal(result.product.platform, 'flipkart');
+});
+
+test('a price update for a platform without an offer is rejected', async () => {
+    const product = offerProduct();
+    const catalog = new ProductCatalog(() => fakeCollection([product]));
+
+    const result = await catalog.update(String(product._id), { price: 45000, platform: 'croma' });
+    assert.equal(result.errors[0].field, 'platform');
+    assert.equal(product.price, 50000);
+});
+
+test('an update cannot reuse a store id held by another product', async () => {
+    const product = offerProduct();
+    const other = { _id: new ObjectId(), name: 'Other', asin: 'B0OTHERASN', price: 1000, platform: 'amazon' };
+    const catalog = new ProductCatalog(() => fakeCollection([product, other]));
+
+    const result = await catalog.update(String(other._id), { asin: 'B0TESTASIN' });
+    assert.equal(result.conflict, true);
+    assert.equal(result.errors[0].field, 'asin');
+    assert.equal(other.asin, 'B0OTHERASN');
+});
+
+test('import reports rows the database rejected instead of failing the batch', async () => {
+    const insertedId = new ObjectId();
+    const collection = {
+        find: () => ({ toArray: async () => [] }),
+        bulkWrite: async () => {
+            throw new MongoBulkWriteError(
+                { message: 'E11000 duplicate key', code: 11000, writeErrors: [{ index: 1, code: 11000, errmsg: 'E11000 duplicate key error' }] },
+                { upsertedCount: 1, matchedCount: 0, upsertedIds: { 0: insertedId } }
+            );
+        }
+    };
+    const catalog = new ProductCatalog(() => collection);
+    const changes = [];
+    catalog.onChange(change => changes.push(change));
+
+    const report = await catalog.importProducts([
+        { name: 'First', asin: 'B0FIRSTASN', price: 1000, platform: 'amazon' },
+        { name: 'Second', asin: 'B0SECNDASN', price: 2000, platform: 'amazon' },
+        { name: 'Broken', price: 'free' }
+    ]);
+
+    assert.equal(report.inserted, 1);
+    assert.equal(report.failed, 2);
+    assert.deepEqual(report.errors.map(e => e.row), [2, 3]);
+    assert.match(report.errors[0].errors[0].message, /another product/);
+    assert.deepEqual(changes[0].changes.map(c => c.productId), [String(insertedId)]);
+});
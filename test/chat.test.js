@@ -0,0 +1,35 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { startApp } from './helpers.js';
+
+let api;
+let chatUserId;
+let TelegramChannel;
+before(async () => {
+    api = await startApp();
+    ({ chatUserId, TelegramChannel } = await import('../index.js'));
+});
+after(() => api.close());
+
+test('chat user ids are keyed, not a plain hash of the chat id', () => {
+    const id = chatUserId('whatsapp', '919876543210');
+    assert.match(id, /^whatsapp:[0-9a-f]{16}$/);
+    assert.notEqual(id, `whatsapp:${createHash('sha256').update('919876543210').digest('hex').slice(0, 16)}`);
+    assert.equal(chatUserId('whatsapp', '919876543210'), id);
+});
+
+test('Telegram messages are split before HTML conversion', () => {
+    const channel = new TelegramChannel({});
+    const link = '[Buy on Amazon](https://www.amazon.in/dp/B0CHX1N1B7?tag=plexbuy-21&ref=a_b) ';
+    const messages = channel.toMessages(`**Top pick** ${link.repeat(120)}& more`);
+
+    assert.ok(messages.length > 1);
+    for (const message of messages) {
+        assert.ok(message.length <= 4096);
+        // Every tag and entity is whole within its message
+        assert.equal((message.match(/<a /g) || []).length, (message.match(/<\/a>/g) || []).length);
+        assert.doesNotMatch(message, /&[a-z]*$/);
+        assert.doesNotMatch(message, /<[^>]*$/);
+    }
+});
@@ -0,0 +1,41 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { startApp, ADMIN_KEY } from './helpers.js';
+
+const TEMPLATE = {
+    intro: 'Answer "{{query}}" in {{language}}.',
+    withProducts: 'Compare these products.',
+    withoutProducts: 'Give general advice.'
+};
+
+let api;
+before(async () => {
+    const file = join(mkdtempSync(join(tmpdir(), 'plexbuy-')), 'prompts.json');
+    writeFileSync(file, JSON.stringify({
+        templates: { 'advice@2': TEMPLATE },
+        experiment: {
+            name: 'wording',
+            variants: [{ name: 'control', template: 'advice@1' }, { name: 'short', template: 'advice@2' }]
+        }
+    }));
+    api = await startApp({ PROMPTS_CONFIG: file });
+});
+after(() => api.close());
+
+test('structured answers stay outside the prompt experiment', async () => {
+    const text = await api.request('POST', '/api/advise', { body: { query: 'best phone under 150000' } });
+    assert.equal(text.status, 200);
+    assert.equal(text.json.metadata.experiment.name, 'wording');
+
+    const structured = await api.request('POST', '/api/advise', { body: { query: 'best laptop under 150000', format: 'structured' } });
+    assert.equal(structured.status, 200);
+    assert.equal(structured.json.metadata.experiment, null);
+
+    const report = await api.request('GET', '/api/admin/experiments/report', { headers: { Authorization: `Bearer ${ADMIN_KEY}` } });
+    assert.equal(report.status, 200);
+    const responses = report.json.variants.reduce((sum, v) => sum + v.responses, 0);
+    assert.equal(responses, 1);
+});
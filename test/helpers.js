@@ -0,0 +1,58 @@
+// Runs the API in-process for HTTP-level tests: no MongoDB (in-memory
+// fallbacks), the mock LLM provider and a known admin key.
+import { once } from 'events';
+
+export const ADMIN_KEY = 'test-admin-key';
+
+export async function startApp(env = {}) {
+    Object.assign(process.env, {
+        NODE_ENV: 'production',  // index.js only listens on its own outside production
+        MONGODB_URI: '',
+        GEMINI_API_KEY: '',
+        LLM_PROVIDERS: 'mock',
+        LOG_LEVEL: 'error',
+        ADMIN_API_KEY: ADMIN_KEY,
+        CLICK_SIGNING_SECRET: 'test-click-secret',
+        CHAT_USER_SECRET: 'test-chat-secret',
+        ...env
+    });
+
+    const { default: app } = await import('../index.js');
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    async function request(method, path, { body, headers = {} } = {}) {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...headers },
+            ...(body !== undefined && { body: typeof body === 'string' ? body : JSON.stringify(body) })
+        });
+        const text = await response.text();
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch {
+            // SSE and plain-text responses
+        }
+        return { status: response.status, headers: response.headers, text, json };
+    }
+
+    // Registers an API client and returns its Authorization header
+    async function createClient(name, scopes = ['advise']) {
+        const res = await request('POST', '/api/admin/clients', {
+            body: { name, scopes },
+            headers: { Authorization: `Bearer ${ADMIN_KEY}` }
+        });
+        if (res.status !== 201) throw new Error(`Could not create API client: ${res.text}`);
+        return { Authorization: `Bearer ${res.json.key}` };
+    }
+
+    return {
+        app,
+        baseUrl,
+        request,
+        createClient,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
@@ -0,0 +1,43 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, ADMIN_KEY } from './helpers.js';
+
+let api;
+let LLMRouter;
+before(async () => {
+    api = await startApp();
+    ({ LLMRouter } = await import('../index.js'));
+});
+after(() => api.close());
+
+const mock = (name, options = {}) => ({ name, type: 'mock', model: `${name}-model`, reply: `Answer from ${name}`, timeoutMs: 50, generation: {}, ...options });
+
+test('a stream that stalls before any token fails over without mixing providers', async () => {
+    const router = new LLMRouter([mock('slow', { stallAfter: 0 }), mock('backup')], null);
+    await router.start();
+
+    const tokens = [];
+    const result = await router.stream('prompt', token => tokens.push(token));
+    assert.equal(result.provider, 'backup');
+    assert.ok(tokens.join('').startsWith('Answer from backup'));
+    assert.equal(tokens.join(''), result.text);
+});
+
+test('a stream that stalls mid-answer ends with what was sent and stops forwarding', async () => {
+    const router = new LLMRouter([mock('slow', { stallAfter: 2 }), mock('backup')], null);
+    await router.start();
+
+    const tokens = [];
+    const result = await router.stream('prompt', token => tokens.push(token));
+    assert.equal(result.provider, 'slow');
+    assert.deepEqual(tokens, ['Answer ', 'from ']);
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.deepEqual(tokens, ['Answer ', 'from ']);
+});
+
+test('LLM metrics keep their original names', async () => {
+    const res = await api.request('GET', '/metrics', { headers: { Authorization: `Bearer ${ADMIN_KEY}` } });
+    assert.match(res.text, /plexbuy_gemini_requests_total/);
+    assert.doesNotMatch(res.text, /plexbuy_llm_requests_total/);
+});
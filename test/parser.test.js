@@ -0,0 +1,50 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+let api;
+let queryParser;
+before(async () => {
+    api = await startApp();
+    ({ queryParser } = await import('../index.js'));
+});
+after(() => api.close());
+
+test('brands that are everyday words need a product line after them', () => {
+    assert.deepEqual(queryParser.parse('nothing good under 20000, show me phones').brands, []);
+    assert.deepEqual(queryParser.parse('noise cancelling headphones').brands, []);
+    assert.deepEqual(queryParser.parse('google the best laptop for me').brands, []);
+
+    assert.deepEqual(queryParser.parse('Nothing Phone 2a under 25000').brands, ['Nothing']);
+    assert.deepEqual(queryParser.parse('noise colorfit smartwatch').brands, ['Noise']);
+    assert.deepEqual(queryParser.parse('google pixel 8 vs iphone').brands, ['Google']);
+});
+
+test('the product word after a context brand is kept for category matching', () => {
+    const parsed = queryParser.parse('nothing phone under 30000');
+    assert.deepEqual(parsed.brands, ['Nothing']);
+    assert.deepEqual(parsed.categories, ['Smartphones']);
+});
+
+test('"offers" only asks for discounts when it means deals', () => {
+    assert.equal(queryParser.parse('which laptop offers the best battery life').sort, null);
+    assert.equal(queryParser.parse('phones with bank offers').sort, 'discount');
+    assert.equal(queryParser.parse('tv on offer').sort, 'discount');
+});
+
+test('model and spec numbers are not read as budgets', () => {
+    for (const query of ['oneplus 12 me camera kaisa hai', 'iphone 15 mein kaunsa color best hai', 'oneplus 11 se 12 better hai', 'iphone 15 plus review']) {
+        assert.equal(queryParser.parse(query).priceRange, null, query);
+    }
+    assert.deepEqual(queryParser.parse('laptop 14 to 16 inch under 60k').priceRange, { min: null, max: 60000 });
+    assert.deepEqual(queryParser.parse('oneplus 12 me 40k tak').priceRange, { min: null, max: 40000 });
+});
+
+test('amounts that look like money still set the budget', () => {
+    assert.deepEqual(queryParser.parse('phone 20k tak').priceRange, { min: null, max: 20000 });
+    assert.deepEqual(queryParser.parse('laptop 40000 se 60000').priceRange, { min: 40000, max: 60000 });
+    assert.deepEqual(queryParser.parse('tv 30-40k').priceRange, { min: 30000, max: 40000 });
+    assert.deepEqual(queryParser.parse('laptop 1-1.5 lakh').priceRange, { min: 100000, max: 150000 });
+    assert.deepEqual(queryParser.parse('phone 15000-20k').priceRange, { min: 15000, max: 20000 });
+    assert.deepEqual(queryParser.parse('phone 25000 wala').priceRange, { min: null, max: 25000 });
+});
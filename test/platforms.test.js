@@ -0,0 +1,27 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { startApp } from './helpers.js';
+
+let api;
+before(async () => {
+    const file = join(mkdtempSync(join(tmpdir(), 'plexbuy-')), 'platforms.json');
+    writeFileSync(file, JSON.stringify({
+        ajio: { displayName: 'AJIO', enabled: true, idField: 'ajioId', productUrl: 'https://www.ajio.com/p/{id}', searchUrl: 'ajio.com/search?q={query}' },
+        nykaa: { displayName: 'Nykaa', enabled: true, idField: 'nykaaId', productUrl: 'https://www.nykaa.com/p/{id}', searchUrl: 'https://www.nykaa.com/search?q={query}' }
+    }));
+    api = await startApp({ PLATFORMS_CONFIG: file });
+});
+after(() => api.close());
+
+test('a malformed platform entry is skipped instead of stopping the API', async () => {
+    const res = await api.request('GET', '/api/platforms');
+    assert.equal(res.status, 200);
+
+    const keys = res.json.platforms.map(p => p.key);
+    assert.ok(!keys.includes('ajio'));
+    assert.ok(keys.includes('nykaa'));
+    assert.ok(keys.includes('amazon'));
+});
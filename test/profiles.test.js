@@ -0,0 +1,63 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, ADMIN_KEY } from './helpers.js';
+
+let api;
+let shop;
+let other;
+const admin = { Authorization: `Bearer ${ADMIN_KEY}` };
+
+before(async () => {
+    api = await startApp();
+    shop = await api.createClient('shop');
+    other = await api.createClient('other');
+});
+after(() => api.close());
+
+test('profile routes need an API key', async () => {
+    for (const [method, path] of [
+        ['GET', '/api/users/alice/profile'],
+        ['PUT', '/api/users/alice/preferences'],
+        ['DELETE', '/api/users/alice/profile'],
+        ['GET', '/api/users/alice/recommendations']
+    ]) {
+        const res = await api.request(method, path, { body: method === 'PUT' ? { brands: ['Apple'] } : undefined });
+        assert.equal(res.status, 401, `${method} ${path}`);
+    }
+});
+
+test('a profile is only visible to the client that created it, and to admins', async () => {
+    const saved = await api.request('PUT', '/api/users/bob/preferences', { body: { brands: ['Samsung'] }, headers: shop });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.json.profile.clientId, undefined);
+
+    assert.equal((await api.request('GET', '/api/users/bob/profile', { headers: shop })).status, 200);
+    assert.equal((await api.request('GET', '/api/users/bob/profile', { headers: admin })).status, 200);
+    assert.equal((await api.request('GET', '/api/users/bob/profile', { headers: other })).status, 404);
+
+    const overwrite = await api.request('PUT', '/api/users/bob/preferences', { body: { brands: ['Apple'] }, headers: other });
+    assert.equal(overwrite.status, 404);
+    assert.equal((await api.request('DELETE', '/api/users/bob/profile', { headers: other })).status, 404);
+
+    const feed = await api.request('GET', '/api/users/bob/recommendations', { headers: other });
+    assert.equal(feed.status, 200);
+    assert.equal(feed.json.personalized, false);
+
+    const kept = await api.request('GET', '/api/users/bob/profile', { headers: shop });
+    assert.deepEqual(kept.json.profile.preferences.brands, ['Samsung']);
+
+    const deleted = await api.request('DELETE', '/api/users/bob/profile', { headers: shop });
+    assert.equal(deleted.status, 200);
+    assert.equal(deleted.json.profileDeleted, true);
+});
+
+test('advice from another client does not read or update the profile', async () => {
+    await api.request('PUT', '/api/users/carol/preferences', { body: { brands: ['OnePlus'] }, headers: shop });
+
+    const res = await api.request('POST', '/api/advise', { body: { query: 'best phone', userId: 'carol' }, headers: other });
+    assert.equal(res.status, 200);
+    assert.equal(res.json.metadata.personalized, false);
+
+    const profile = await api.request('GET', '/api/users/carol/profile', { headers: shop });
+    assert.equal(profile.json.profile.signals.queries.length, 0);
+});
@@ -0,0 +1,55 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+let api;
+let ProductEmbedder;
+let serviceManager;
+before(async () => {
+    api = await startApp();
+    ({ ProductEmbedder, serviceManager } = await import('../index.js'));
+});
+after(() => api.close());
+
+// 120 keyword hits, best keyword score first; similarity favours higher ids
+const catalog = Array.from({ length: 120 }, (_, i) => ({ _id: `p${i}`, keywordScore: 120 - i, rating: 4, discount: 0 }));
+const fakeSearch = {
+    embedder: { scoreProducts: async (vector, ids) => new Map(ids.map(id => [id, Number(id.slice(1)) / 120])) },
+    async runCatalogQuery(constraints, keywords, { page, limit, sort }) {
+        return { products: catalog.slice((page - 1) * limit, page * limit), total: catalog.length, page, limit, sort };
+    }
+};
+const hybrid = options => serviceManager.runHybridQuery.call(fakeSearch, {}, ['phone'], [1], options);
+
+test('hybrid search reports the keyword total and pages past the re-ranked window', async () => {
+    const seen = new Set();
+    for (let page = 1; page <= 6; page++) {
+        const result = await hybrid({ page, limit: 20, sort: 'relevance' });
+        assert.equal(result.total, 120);
+        result.products.forEach(p => seen.add(p._id));
+    }
+    assert.equal(seen.size, 120);
+});
+
+test('similarity re-ranks within the first window only', async () => {
+    const first = await hybrid({ page: 1, limit: 20, sort: 'relevance' });
+    assert.notDeepEqual(first.products.map(p => p._id), catalog.slice(0, 20).map(p => p._id));
+    assert.ok(first.products.every(p => Number(p._id.slice(1)) < 60));
+
+    const byPrice = await hybrid({ page: 2, limit: 20, sort: 'price_asc' });
+    assert.deepEqual(byPrice.products.map(p => p._id), catalog.slice(20, 40).map(p => p._id));
+});
+
+test('query embeddings that miss the cache are charged to the budget', async () => {
+    let calls = 0;
+    const provider = { name: 'paid', model: 'paid-1', embedQuery: async () => { calls++; return [1, 0]; } };
+    let remaining = 1;
+    const budget = { name: 'paid', tryConsume: async () => remaining-- > 0 };
+    const embedder = new ProductEmbedder(provider, () => null, { budget });
+
+    await embedder.embedQuery('gaming phone');
+    await embedder.embedQuery('gaming phone');
+    assert.equal(calls, 1);
+    await assert.rejects(embedder.embedQuery('camera phone'), /budget/);
+    assert.equal(calls, 1);
+});
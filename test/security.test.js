@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { startApp, ADMIN_KEY } from './helpers.js';
+
+let api;
+before(async () => { api = await startApp({ RATE_LIMIT_PER_IP: '3' }); });
+after(() => api.close());
+
+const toBase64Url = buffer => Buffer.from(buffer).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+test('click tokens signed with the old built-in secret are rejected', async () => {
+    const payload = toBase64Url(JSON.stringify({ p: '1', n: 'Forged', pl: 'amazon', u: 'https://www.amazon.in/dp/B0CHX1N1B7', uid: 'victim', r: 'response' }));
+    const signature = toBase64Url(createHmac('sha256', 'plexbuy-click-links').update(payload).digest().subarray(0, 16));
+
+    const res = await api.request('GET', `/r/${payload}.${signature}`);
+    assert.equal(res.status, 400);
+});
+
+test('a client-sent X-Forwarded-For entry does not change the rate-limited IP', async () => {
+    const statuses = [];
+    for (let i = 0; i < 4; i++) {
+        const res = await api.request('POST', '/api/advise', {
+            body: { query: 'best phone' },
+            headers: { 'X-Forwarded-For': `10.0.0.${i}, 203.0.113.7` }
+        });
+        statuses.push(res.status);
+    }
+    assert.deepEqual(statuses, [200, 200, 200, 429]);
+});
+
+test('admin deal routes need the database instead of writing to memory', async () => {
+    const headers = { Authorization: `Bearer ${ADMIN_KEY}` };
+    const created = await api.request('POST', '/api/admin/deals', { headers, body: { title: 'Sale', platform: 'amazon' } });
+    assert.equal(created.status, 503);
+
+    for (const [method, path] of [['GET', '/api/admin/deals'], ['PUT', '/api/admin/deals/1'], ['DELETE', '/api/admin/deals/1']]) {
+        const res = await api.request(method, path, { headers, body: method === 'PUT' ? {} : undefined });
+        assert.equal(res.status, 503, `${method} ${path}`);
+    }
+});
+
+test('browsers are refused CORS until an origin is configured', async () => {
+    const origin = 'https://shop.example.com';
+    const before = await api.request('GET', '/health', { headers: { Origin: origin } });
+    assert.equal(before.headers.get('access-control-allow-origin'), null);
+
+    const headers = { Authorization: `Bearer ${ADMIN_KEY}` };
+    const created = await api.request('POST', '/api/admin/clients', { headers, body: { name: 'shop', scopes: ['advise'], allowedOrigins: [origin] } });
+    assert.equal(created.status, 201);
+
+    const after = await api.request('GET', '/health', { headers: { Origin: origin } });
+    assert.equal(after.headers.get('access-control-allow-origin'), origin);
+});
+
+test('a revoked key stops working straight away', async () => {
+    const admin = { Authorization: `Bearer ${ADMIN_KEY}` };
+    const created = await api.request('POST', '/api/admin/clients', { headers: admin, body: { name: 'revoked', scopes: ['advise'] } });
+    const client = { Authorization: `Bearer ${created.json.key}` };
+
+    assert.equal((await api.request('GET', '/api/alerts?userId=u1', { headers: client })).status, 200);
+
+    const revoked = await api.request('DELETE', `/api/admin/clients/${created.json.client.id}`, { headers: admin });
+    assert.equal(revoked.status, 200);
+
+    const res = await api.request('GET', '/api/alerts?userId=u1', { headers: client });
+    assert.equal(res.status, 401);
+});
+
+test('an expired click link still redirects but is not counted', async () => {
+    const headers = { Authorization: `Bearer ${ADMIN_KEY}` };
+    const clicks = async () => (await api.request('GET', '/api/analytics/clicks', { headers })).json.total;
+    const link = iat => {
+        const payload = toBase64Url(JSON.stringify({ p: '1', n: 'Phone', pl: 'amazon', u: 'https://www.amazon.in/dp/B0CHX1N1B7', uid: 'guest', iat }));
+        const signature = toBase64Url(createHmac('sha256', 'test-click-secret').update(payload).digest().subarray(0, 16));
+        return `${api.baseUrl}/r/${payload}.${signature}`;
+    };
+    const before = await clicks();
+
+    const expired = await fetch(link(Math.floor(Date.now() / 1000) - 8 * 24 * 60 * 60), { redirect: 'manual' });
+    assert.equal(expired.status, 302);
+    assert.equal(expired.headers.get('location'), 'https://www.amazon.in/dp/B0CHX1N1B7');
+    const untimed = await fetch(link(undefined), { redirect: 'manual' });
+    assert.equal(untimed.status, 302);
+    assert.equal(await clicks(), before);
+
+    const fresh = await fetch(link(Math.floor(Date.now() / 1000)), { redirect: 'manual' });
+    assert.equal(fresh.status, 302);
+    assert.equal(await clicks(), before + 1);
+});
@@ -0,0 +1,54 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+let api;
+let LLMRouter;
+let CircuitBreaker;
+let ServiceMonitor;
+before(async () => {
+    api = await startApp();
+    ({ LLMRouter, CircuitBreaker, ServiceMonitor } = await import('../index.js'));
+});
+after(() => api.close());
+
+test('readiness checks do not move an open circuit to half-open', async () => {
+    const router = new LLMRouter([{ name: 'mock', type: 'mock', model: 'mock-model', reply: 'Hi', generation: {} }], null);
+    await router.start();
+
+    const { breaker } = router.get('mock');
+    breaker.resetTimeoutMs = 0;
+    breaker.trip(new Error('down'));
+
+    assert.equal(router.isAvailable(), true);
+    router.status();
+    assert.equal(breaker.state, 'open');
+
+    await breaker.exec(async () => 'ok');
+    assert.equal(breaker.state, 'closed');
+});
+
+test('an open circuit is not ready before its reset timeout', () => {
+    const breaker = new CircuitBreaker('db', { resetTimeoutMs: 60 * 1000 });
+    breaker.trip(new Error('down'));
+
+    assert.equal(breaker.canRequest(), false);
+    assert.equal(breaker.state, 'open');
+});
+
+test('start resolves after the first attempt and retries in the background', async () => {
+    let calls = 0;
+    const monitor = new ServiceMonitor('flaky', async () => {
+        calls++;
+        if (calls < 2) throw new Error('not yet');
+        return true;
+    }, { retries: 3 });
+
+    assert.equal(await monitor.start(), false);
+    assert.equal(calls, 1);
+    assert.ok(monitor.probing);
+
+    await monitor.probing;
+    assert.equal(calls, 2);
+    assert.equal(monitor.isReady, true);
+});